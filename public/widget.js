@@ -0,0 +1,403 @@
+/*
+ * Storefront review widget, served at /api/widget.js.
+ *
+ *   <script src="https://<api-host>/api/widget.js" data-handle="product-handle" async></script>
+ *
+ * Renders the rating summary, pinned-first reviews with "load more" and a write-a-review form
+ * where the script tag is (or inside `data-target`). Other options: data-per-page (default 5),
+ * data-sort (pinned, newest, oldest, highest, lowest, media), data-form="false" to hide the
+ * form, data-api to point at another host, data-shop for a shop other than the API's default
+ * one. Themes restyle it through the --jr-* CSS variables
+ * set on any ancestor, e.g. `.product-reviews { --jr-accent: #0a7; }`.
+ * Themes that render pages client-side can call `JudgeMeReviews.mount(element, options)`.
+ */
+(function () {
+    'use strict';
+
+    // Each --jr-* variable has its default at the use site; declaring them on :host would
+    // override the values a theme sets on an ancestor
+    const STYLES = `
+        :host {
+            display: block;
+            font-family: var(--jr-font, inherit);
+            color: var(--jr-text, #1e293b);
+            background: var(--jr-bg, transparent);
+        }
+        * { box-sizing: border-box; }
+        .summary { display: flex; flex-wrap: wrap; gap: 24px; align-items: center; margin-bottom: 24px; }
+        .average { font-size: 2.5rem; font-weight: 600; line-height: 1; }
+        .count { color: var(--jr-muted, #64748b); font-size: 0.9rem; margin-top: 4px; }
+        .bars { flex: 1; min-width: 200px; max-width: 360px; }
+        .bar-row { display: flex; align-items: center; gap: 8px; font-size: 0.85rem; color: var(--jr-muted, #64748b); margin: 3px 0; }
+        .bar { flex: 1; height: 8px; background: var(--jr-bar-bg, #f1f5f9); border-radius: 4px; overflow: hidden; }
+        .bar span { display: block; height: 100%; background: var(--jr-star, #f59e0b); }
+        .bar-label, .bar-count { width: 2.5em; }
+        .bar-count { text-align: right; }
+        .stars { color: var(--jr-star-empty, #d1d5db); letter-spacing: 1px; white-space: nowrap; }
+        .stars .on { color: var(--jr-star, #f59e0b); }
+        .review { background: var(--jr-card-bg, #ffffff); border: 1px solid var(--jr-border, #e2e8f0); border-radius: var(--jr-radius, 12px); padding: 16px; margin-bottom: 12px; }
+        .review-head { display: flex; gap: 12px; align-items: center; margin-bottom: 8px; }
+        .avatar { width: var(--jr-avatar-size, 44px); height: var(--jr-avatar-size, 44px); border-radius: 50%; flex-shrink: 0; background: var(--jr-bar-bg, #f1f5f9); }
+        .author { font-weight: 600; }
+        .meta { color: var(--jr-muted, #64748b); font-size: 0.8rem; }
+        .verified { color: var(--jr-success, #059669); font-size: 0.8rem; margin-left: 6px; }
+        .pinned { font-size: 0.75rem; color: var(--jr-muted, #64748b); border: 1px solid var(--jr-border, #e2e8f0); border-radius: 999px; padding: 1px 8px; margin-left: auto; }
+        .title { font-weight: 600; margin: 8px 0 4px; }
+        .body { white-space: pre-line; line-height: 1.5; margin: 0; }
+        .media { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 12px; }
+        .media a, .media video { width: 88px; height: 88px; border-radius: 8px; overflow: hidden; display: block; }
+        .media img, .media video { width: 100%; height: 100%; object-fit: cover; display: block; }
+        .reply { margin-top: 12px; padding: 10px 12px; border-left: 3px solid var(--jr-border, #e2e8f0); color: var(--jr-muted, #64748b); font-size: 0.9rem; }
+        .reply strong { color: var(--jr-text, #1e293b); }
+        .empty { color: var(--jr-muted, #64748b); padding: 16px 0; }
+        button { font: inherit; cursor: pointer; border-radius: var(--jr-radius, 12px); padding: 10px 18px; border: 1px solid var(--jr-accent, #111827); background: var(--jr-accent, #111827); color: var(--jr-accent-text, #ffffff); }
+        button.secondary { background: transparent; color: var(--jr-accent, #111827); }
+        button:disabled { opacity: 0.6; cursor: default; }
+        .actions { display: flex; gap: 8px; justify-content: center; margin: 16px 0; }
+        form { background: var(--jr-card-bg, #ffffff); border: 1px solid var(--jr-border, #e2e8f0); border-radius: var(--jr-radius, 12px); padding: 16px; margin-bottom: 24px; }
+        label { display: block; font-size: 0.85rem; font-weight: 600; margin: 12px 0 4px; }
+        input, textarea { width: 100%; font: inherit; color: inherit; padding: 8px 10px; border: 1px solid var(--jr-border, #e2e8f0); border-radius: 8px; background: transparent; }
+        textarea { min-height: 110px; resize: vertical; }
+        .rating-input { display: flex; flex-direction: row-reverse; justify-content: flex-end; gap: 2px; }
+        .rating-input input { position: absolute; opacity: 0; width: 1px; height: 1px; }
+        .rating-input label { font-size: 1.6rem; margin: 0; color: var(--jr-star-empty, #d1d5db); cursor: pointer; font-weight: normal; }
+        .rating-input input:checked ~ label, .rating-input label:hover, .rating-input label:hover ~ label { color: var(--jr-star, #f59e0b); }
+        .rating-input input:focus-visible + label { outline: 2px solid var(--jr-accent, #111827); }
+        .field-error { color: var(--jr-error, #dc2626); font-size: 0.8rem; margin-top: 4px; }
+        .status { margin-top: 12px; font-size: 0.9rem; }
+        .status.error { color: var(--jr-error, #dc2626); }
+        .status.success { color: var(--jr-success, #059669); }
+        .honeypot { position: absolute; left: -10000px; width: 1px; height: 1px; overflow: hidden; }
+    `;
+
+    const MEDIA_ACCEPT = 'image/jpeg,image/png,image/webp,image/gif,image/heic,video/mp4,video/quicktime,video/webm';
+
+    // Small DOM builder; text is always set through textContent
+    function h(tag, attrs, children) {
+        const el = document.createElement(tag);
+        Object.entries(attrs || {}).forEach(([key, value]) => {
+            if (value === null || value === undefined || value === false) {
+                return;
+            }
+            if (key === 'text') {
+                el.textContent = value;
+            } else {
+                el.setAttribute(key, value === true ? '' : value);
+            }
+        });
+        (children || []).filter(Boolean).forEach(child => el.appendChild(child));
+        return el;
+    }
+
+    // Endpoint URL with the widget's shop (when set) added to the query
+    function apiUrl(options, path, params) {
+        const query = new URLSearchParams(params || {});
+        if (options.shop) {
+            query.set('shop', options.shop);
+        }
+        const search = query.toString();
+        return `${options.api}${path}${search ? `?${search}` : ''}`;
+    }
+
+    function renderStars(rating) {
+        const stars = h('span', { class: 'stars', role: 'img', 'aria-label': `${rating} out of 5 stars` });
+        for (let i = 1; i <= 5; i++) {
+            stars.appendChild(h('span', { class: i <= Math.round(rating) ? 'on' : null, text: '★' }));
+        }
+        return stars;
+    }
+
+    function formatDate(value) {
+        const date = new Date(value);
+        return isNaN(date) ? '' : date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    function renderSummary(stats) {
+        const total = stats.count || 0;
+        const bars = h('div', { class: 'bars' });
+        for (let rating = 5; rating >= 1; rating--) {
+            const count = stats.distribution?.[rating] || 0;
+            const percent = total ? Math.round((count / total) * 100) : 0;
+            bars.appendChild(h('div', { class: 'bar-row' }, [
+                h('span', { class: 'bar-label', text: `${rating} ★` }),
+                h('div', { class: 'bar', role: 'img', 'aria-label': `${count} reviews with ${rating} stars` }, [
+                    h('span', { style: `width: ${percent}%` })
+                ]),
+                h('span', { class: 'bar-count', text: String(count) })
+            ]));
+        }
+        return h('div', { class: 'summary' }, [
+            h('div', {}, [
+                h('div', { class: 'average', text: stats.average }),
+                renderStars(Number(stats.average)),
+                h('div', { class: 'count', text: `Based on ${total} review${total === 1 ? '' : 's'}` })
+            ]),
+            bars
+        ]);
+    }
+
+    function renderMedia(media) {
+        if (!media || media.length === 0) {
+            return null;
+        }
+        return h('div', { class: 'media' }, media.map(item => item.type === 'video'
+            ? h('video', { src: item.url, controls: true, preload: 'metadata', playsinline: true })
+            : h('a', { href: item.url, target: '_blank', rel: 'noopener' }, [
+                h('img', { src: item.url, alt: 'Review photo', loading: 'lazy' })
+            ])));
+    }
+
+    function renderReview(review) {
+        return h('article', { class: 'review' }, [
+            h('div', { class: 'review-head' }, [
+                review.profile_pic ? h('img', { class: 'avatar', src: review.profile_pic, alt: '', loading: 'lazy' }) : null,
+                h('div', {}, [
+                    h('div', {}, [
+                        h('span', { class: 'author', text: review.author }),
+                        review.is_verified ? h('span', { class: 'verified', text: '✓ Verified buyer' }) : null
+                    ]),
+                    h('div', { class: 'meta' }, [renderStars(review.rating), document.createTextNode(` · ${formatDate(review.date)}`)])
+                ]),
+                review.is_pinned ? h('span', { class: 'pinned', text: 'Featured' }) : null
+            ]),
+            review.title ? h('div', { class: 'title', text: review.title }) : null,
+            h('p', { class: 'body', text: review.body || '' }),
+            renderMedia(review.media),
+            review.reply ? h('div', { class: 'reply' }, [
+                h('strong', { text: 'Store reply: ' }),
+                document.createTextNode(review.reply.content)
+            ]) : null
+        ]);
+    }
+
+    function field(label, name, input) {
+        return h('div', { 'data-field': name }, [
+            h('label', { for: `jr-${name}`, text: label }),
+            input,
+            h('div', { class: 'field-error', role: 'alert' })
+        ]);
+    }
+
+    // Uploads one file straight to storage with a signature from the API, so photos and videos
+    // don't count against the host's request size limit; resolves to what goes in `pictures`
+    async function uploadDirect(widget, file) {
+        const signed = await fetch(apiUrl(widget.options, '/api/media/upload-signature'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Form-Token': widget.formToken || '' },
+            body: JSON.stringify({ kind: file.type.startsWith('video/') ? 'video' : 'image' })
+        });
+        const signature = await signed.json().catch(() => ({}));
+        if (!signed.ok) {
+            throw new Error(signature.error || `Could not upload ${file.name}`);
+        }
+        const body = new FormData();
+        Object.entries(signature.fields).forEach(([name, value]) => body.append(name, value));
+        body.append('file', file);
+        const response = await fetch(signature.upload_url, { method: 'POST', body });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error((data.error && data.error.message) || `Could not upload ${file.name}`);
+        }
+        return { public_id: data.public_id, version: data.version, signature: data.signature, resource_type: data.resource_type, format: data.format };
+    }
+
+    function renderForm(widget) {
+        const ratingInput = h('div', { class: 'rating-input', role: 'radiogroup', 'aria-label': 'Rating' });
+        for (let rating = 5; rating >= 1; rating--) {
+            ratingInput.appendChild(h('input', { type: 'radio', name: 'rating', id: `jr-rating-${rating}`, value: String(rating), required: true }));
+            ratingInput.appendChild(h('label', { for: `jr-rating-${rating}`, title: `${rating} star${rating === 1 ? '' : 's'}`, text: '★' }));
+        }
+
+        const status = h('div', { class: 'status', role: 'status' });
+        const submit = h('button', { type: 'submit', text: 'Submit review' });
+        const form = h('form', { novalidate: true, hidden: true }, [
+            h('div', { 'data-field': 'rating' }, [h('label', { text: 'Rating' }), ratingInput, h('div', { class: 'field-error', role: 'alert' })]),
+            field('Name', 'name', h('input', { id: 'jr-name', name: 'name', maxlength: '100', required: true, autocomplete: 'name' })),
+            field('Email', 'email', h('input', { id: 'jr-email', name: 'email', type: 'email', required: true, autocomplete: 'email' })),
+            field('Title', 'title', h('input', { id: 'jr-title', name: 'title', maxlength: '150' })),
+            field('Review', 'body', h('textarea', { id: 'jr-body', name: 'body', maxlength: '5000' })),
+            field('Photos or videos', 'media', h('input', { id: 'jr-media', name: 'media', type: 'file', accept: MEDIA_ACCEPT, multiple: true })),
+            h('div', { class: 'honeypot', 'aria-hidden': 'true' }, [
+                h('input', { name: 'website', tabindex: '-1', autocomplete: 'off' })
+            ]),
+            h('div', { class: 'actions' }, [submit]),
+            status
+        ]);
+
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            form.querySelectorAll('.field-error').forEach(el => { el.textContent = ''; });
+            status.className = 'status';
+            status.textContent = '';
+            submit.disabled = true;
+
+            const files = Array.from(form.elements.media.files);
+            const headers = widget.formToken ? { 'X-Form-Token': widget.formToken } : {};
+            const mediaError = form.querySelector('[data-field="media"] .field-error');
+
+            try {
+                let payload;
+                if (files.length > 0 && widget.uploads.direct) {
+                    status.textContent = 'Uploading your photos...';
+                    const pictures = await Promise.all(files.map(file => uploadDirect(widget, file)));
+                    const fields = Object.fromEntries(new FormData(form));
+                    delete fields.media;
+                    payload = JSON.stringify({ ...fields, handle: widget.options.handle, pictures });
+                    headers['Content-Type'] = 'application/json';
+                } else {
+                    // Everything goes through the API in one request, which the host caps in size
+                    const total = files.reduce((sum, file) => sum + file.size, 0);
+                    if (total > widget.uploads.maxBytes) {
+                        mediaError.textContent = `Attachments must add up to less than ${(widget.uploads.maxBytes / 1024 / 1024).toFixed(1)} MB.`;
+                        throw new Error('Please attach fewer or smaller files.');
+                    }
+                    payload = new FormData(form);
+                    payload.append('handle', widget.options.handle);
+                }
+
+                const response = await fetch(apiUrl(widget.options, '/api/submit-review'), { method: 'POST', headers, body: payload });
+                const data = await response.json().catch(() => ({}));
+                if (response.ok) {
+                    status.className = 'status success';
+                    status.textContent = data.status === 'queued'
+                        ? 'Thanks! Your review was received and will be published shortly.'
+                        : 'Thanks! Your review was submitted and will appear once it is published.';
+                    form.reset();
+                    widget.loadFormToken();
+                    return;
+                }
+                if (response.status === 403) {
+                    // Expired or already used: the next attempt gets a fresh token
+                    widget.loadFormToken();
+                }
+                if (data.fields) {
+                    Object.entries(data.fields).forEach(([name, message]) => {
+                        const target = form.querySelector(`[data-field="${name === 'pictures' ? 'media' : name}"] .field-error`);
+                        if (target) {
+                            target.textContent = message;
+                        }
+                    });
+                }
+                throw new Error(response.status === 413
+                    ? 'Your files are too large. Please attach fewer or smaller files.'
+                    : (data.fields ? 'Please check the highlighted fields.' : data.error || `Error ${response.status}`));
+            } catch (error) {
+                status.className = 'status error';
+                status.textContent = error.message;
+            } finally {
+                submit.disabled = false;
+            }
+        });
+        return form;
+    }
+
+    function createWidget(container, options) {
+        const root = container.shadowRoot || container.attachShadow({ mode: 'open' });
+        // Until the form token arrives, assume the smallest common host limit (Vercel: 4.5 MB)
+        const widget = { options, page: 0, formToken: null, uploads: { direct: false, maxBytes: 4.5 * 1024 * 1024 } };
+        const summary = h('div');
+        const list = h('div', { class: 'list' });
+        const loadMore = h('button', { class: 'secondary', type: 'button', hidden: true, text: 'Load more reviews' });
+        const form = options.form ? renderForm(widget) : null;
+        const toggleForm = options.form ? h('button', { type: 'button', text: 'Write a review' }) : null;
+
+        widget.loadFormToken = async () => {
+            try {
+                const response = await fetch(apiUrl(options, '/api/form-token'));
+                const data = await response.json();
+                widget.formToken = data.form_token;
+                widget.uploads = { direct: !!data.direct_uploads, maxBytes: data.max_upload_bytes || widget.uploads.maxBytes };
+            } catch (error) {
+                console.warn('Reviews widget: could not load a form token', error);
+            }
+        };
+
+        widget.loadPage = async () => {
+            loadMore.disabled = true;
+            const params = { handle: options.handle, page: widget.page + 1, per_page: options.perPage, sort: options.sort };
+            try {
+                const response = await fetch(apiUrl(options, '/api/product-reviews', params));
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || `Error ${response.status}`);
+                }
+                widget.page++;
+                if (widget.page === 1) {
+                    summary.replaceChildren(data.stats.count > 0 ? renderSummary(data.stats) : h('p', { class: 'empty', text: 'No reviews yet. Be the first to write one!' }));
+                }
+                data.reviews.forEach(review => {
+                    // Avatar links are relative to the API unless it is set up with PUBLIC_BASE_URL
+                    if (review.profile_pic && review.profile_pic.startsWith('/')) {
+                        review.profile_pic = `${options.api}${review.profile_pic}`;
+                    }
+                    list.appendChild(renderReview(review));
+                });
+                loadMore.hidden = !data.pagination.has_more;
+            } catch (error) {
+                console.error('Reviews widget: could not load reviews', error);
+                if (widget.page === 0) {
+                    summary.replaceChildren(h('p', { class: 'empty', text: 'Reviews are unavailable right now.' }));
+                }
+            } finally {
+                loadMore.disabled = false;
+            }
+        };
+
+        loadMore.addEventListener('click', widget.loadPage);
+        if (toggleForm) {
+            toggleForm.addEventListener('click', () => {
+                form.hidden = !form.hidden;
+                if (!form.hidden && !widget.formToken) {
+                    widget.loadFormToken();
+                }
+            });
+        }
+
+        root.replaceChildren(...[
+            h('style', { text: STYLES }),
+            summary,
+            toggleForm ? h('div', { class: 'actions' }, [toggleForm]) : null,
+            form,
+            list,
+            h('div', { class: 'actions' }, [loadMore])
+        ].filter(Boolean));
+
+        widget.loadPage();
+        return widget;
+    }
+
+    function mount(container, options) {
+        if (!options || !options.handle) {
+            throw new Error('Reviews widget: a product handle is required');
+        }
+        return createWidget(container, {
+            api: (options.api || defaultApi).replace(/\/$/, ''),
+            shop: options.shop || null,
+            handle: options.handle,
+            perPage: Number(options.perPage) || 5,
+            sort: options.sort || 'pinned',
+            form: options.form !== false && options.form !== 'false'
+        });
+    }
+
+    const script = document.currentScript;
+    const defaultApi = script && script.src ? new URL(script.src).origin : window.location.origin;
+    window.JudgeMeReviews = { mount };
+
+    if (script && script.dataset.handle) {
+        let container = script.dataset.target ? document.querySelector(script.dataset.target) : null;
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'judgeme-reviews';
+            script.parentNode.insertBefore(container, script);
+        }
+        mount(container, {
+            api: script.dataset.api,
+            shop: script.dataset.shop,
+            handle: script.dataset.handle,
+            perPage: script.dataset.perPage,
+            sort: script.dataset.sort,
+            form: script.dataset.form
+        });
+    }
+})();
@@ -0,0 +1,158 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestServer, OWNER } = require('./helpers');
+const { buildReview } = require('./mocks/judgeme');
+
+const reviews = [101, 102, 103].map(id => buildReview({ id, product_handle: 'aurora-lamp', product_external_id: 7001 }));
+
+let ctx;
+let owner;
+
+const auditLog = (query = '', token = owner) => ctx.request('GET', `/api/audit-log${query}`, { token });
+
+function judgeMeEvent(review) {
+    const body = JSON.stringify({ review });
+    const signature = crypto.createHmac('sha256', 'test-token').update(body).digest('hex');
+    return ctx.request('POST', '/api/webhooks/judgeme', {
+        body: JSON.parse(body),
+        headers: { 'JUDGEME-V2-HMAC-SHA256': signature, 'JUDGEME-TOPIC': 'review/updated' }
+    });
+}
+
+before(async () => {
+    ctx = await startTestServer({ reviews, env: { QUEUE_RUN_ON_DASHBOARD: 'true', QUEUE_RETRY_BASE_SECONDS: '0.001', FORM_TOKEN_MIN_AGE_SECONDS: '0' } });
+    owner = await ctx.login();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+test('logins are recorded, including failed ones with the reason', async () => {
+    await ctx.request('POST', '/api/login', { body: { username: OWNER.username, password: 'wrong-password' } });
+    await ctx.request('POST', '/api/login', { body: { username: 'nobody', password: 'whatever-password' } });
+
+    const { status, body } = await auditLog('?action=login');
+    assert.equal(status, 200);
+    const [unknown, wrong] = body.entries;
+    assert.deepEqual([unknown.username, unknown.outcome, unknown.reason], ['nobody', 'failure', 'unknown_user']);
+    assert.deepEqual([wrong.username, wrong.outcome, wrong.reason, wrong.status], [OWNER.username, 'failure', 'wrong_password', 401]);
+    assert.ok(wrong.ip);
+    assert.ok(wrong.created_at);
+
+    const success = body.entries.find(e => e.outcome === 'success');
+    assert.equal(success.username, OWNER.username);
+    assert.equal(success.reason, null);
+
+    const setup = await auditLog('?action=account.setup');
+    assert.equal(setup.body.entries[0].outcome, 'success');
+});
+
+test('changes record who made them and the state before and after', async () => {
+    const moderator = await ctx.loginAs('moderator');
+    await ctx.request('POST', '/api/toggle-pin', { token: moderator, body: { id: 101, action: 'pin', handle: 'aurora-lamp' } });
+    await ctx.request('POST', '/api/toggle-pin', { token: moderator, body: { id: 102, action: 'pin', handle: 'aurora-lamp' } });
+
+    const { body } = await auditLog('?action=review.pinned');
+    const [entry] = body.entries;
+    assert.match(entry.username, /^moderator-/);
+    assert.equal(entry.role, 'moderator');
+    assert.deepEqual(entry.target, { type: 'review', id: 102, handle: 'aurora-lamp' });
+    assert.deepEqual(entry.before, { pinned_ids: [101] });
+    assert.deepEqual(entry.after, { pinned_ids: [101, 102], changed_ids: [102] });
+    assert.deepEqual([entry.method, entry.path, entry.outcome], ['POST', '/api/toggle-pin', 'success']);
+
+    const created = await auditLog('?action=user.created');
+    assert.equal(created.body.entries[0].username, OWNER.username);
+    assert.equal(created.body.entries[0].after.role, 'moderator');
+    assert.equal(created.body.entries[0].after.password, undefined);
+});
+
+test('refused and failed requests are recorded too', async () => {
+    const viewer = await ctx.loginAs('viewer');
+    assert.equal((await ctx.request('POST', '/api/toggle-pin', { token: viewer, body: { id: 103, action: 'pin' } })).status, 403);
+    assert.equal((await ctx.request('DELETE', '/api/webhooks/missing', { token: owner })).status, 404);
+
+    const { body } = await auditLog('?outcome=failure');
+    const pin = body.entries.find(e => e.path === '/api/toggle-pin');
+    assert.equal(pin.status, 403);
+    assert.equal(pin.role, 'viewer');
+    assert.equal(pin.action, 'POST /api/toggle-pin');
+
+    const webhook = body.entries.find(e => e.path === '/api/webhooks/missing');
+    assert.equal(webhook.action, 'DELETE /api/webhooks/:id');
+    assert.deepEqual(webhook.target, { type: 'route', id: 'missing' });
+});
+
+test('reads are not recorded', async () => {
+    const before = (await auditLog('?limit=500')).body.entries.length;
+    await ctx.request('GET', '/api/pins', { token: owner });
+    await ctx.request('GET', '/api/users', { token: owner });
+    assert.equal((await auditLog('?limit=500')).body.entries.length, before);
+});
+
+test('the log can be filtered by target and paged', async () => {
+    const forReview = await auditLog('?target=102');
+    assert.ok(forReview.body.entries.length > 0);
+    assert.ok(forReview.body.entries.every(e => e.target.id === 102));
+
+    const first = await auditLog('?limit=2');
+    assert.equal(first.body.entries.length, 2);
+    assert.ok(first.body.next_before);
+    const next = await auditLog(`?limit=2&before=${encodeURIComponent(first.body.next_before)}`);
+    assert.ok(next.body.entries.every(e => e.created_at < first.body.entries[1].created_at));
+
+    assert.equal((await auditLog('?outcome=maybe')).status, 400);
+    assert.equal((await auditLog('?from=yesterday')).status, 400);
+});
+
+test('changes Judge.me triggers are recorded under the system user', async () => {
+    const moderator = await ctx.loginAs('moderator');
+    await ctx.request('POST', '/api/toggle-pin', { token: moderator, body: { id: 103, action: 'pin', handle: 'aurora-lamp' } });
+
+    const response = await judgeMeEvent({ ...reviews[2], hidden: true, updated_at: new Date().toISOString() });
+    assert.deepEqual(response.body.unpinned, ['aurora-lamp']);
+
+    const { body: log } = await auditLog('?username=system');
+    const [entry] = log.entries;
+    assert.deepEqual([entry.action, entry.role, entry.path], ['review.unpinned', 'system', '/api/webhooks/judgeme']);
+    assert.deepEqual(entry.target, { type: 'review', id: 103, handle: 'aurora-lamp' });
+    assert.deepEqual(entry.after.changed_ids, [103]);
+});
+
+test('a partial Judge.me event is judged on the cached review it updates', async () => {
+    await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp');
+    const partial = await judgeMeEvent({ id: 102, title: 'Edited title', updated_at: new Date().toISOString() });
+    assert.equal(partial.status, 200);
+    assert.equal(partial.body.review_status, 'published');
+    assert.deepEqual(partial.body.unpinned, []);
+
+    const undated = await judgeMeEvent({ id: 102, hidden: true });
+    assert.equal(undated.status, 400);
+    const pins = await ctx.request('GET', '/api/pins', { token: owner });
+    assert.ok(pins.body.products['aurora-lamp'].includes(102));
+});
+
+test('opening the submission queue retries due submissions when there is no frequent cron', async () => {
+    await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp');
+    const { body: formToken } = await ctx.request('GET', '/api/form-token');
+    ctx.judgeMe.failNext('POST /reviews', { status: 503 });
+    const queued = await ctx.request('POST', '/api/submit-review', {
+        body: { name: 'Queued Buyer', email: 'queued@example.com', rating: 4, title: 'Nice', body: 'Works well for me', handle: 'aurora-lamp', form_token: formToken.form_token }
+    });
+    assert.equal(queued.body.status, 'queued');
+
+    const moderator = await ctx.loginAs('moderator');
+    const { body } = await ctx.request('GET', '/api/submissions', { token: moderator });
+    assert.equal(body.submissions.some(s => s.id === queued.body.submission_id), false);
+
+    const { body: log } = await auditLog('?action=submissions.processed');
+    assert.equal(log.entries[0].after.results[0].status, 'submitted');
+});
+
+test('only owners can read the audit log', async () => {
+    const moderator = await ctx.loginAs('moderator');
+    assert.equal((await auditLog('', moderator)).status, 403);
+    assert.equal((await ctx.request('GET', '/api/audit-log')).status, 401);
+});
@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, OWNER } = require('./helpers');
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+test('setup creates the first owner once', async () => {
+    const pending = await ctx.request('GET', '/api/setup');
+    assert.equal(pending.status, 200);
+    assert.equal(pending.body.needs_setup, true);
+
+    const weak = await ctx.request('POST', '/api/setup', { body: { username: 'owner', password: 'short' } });
+    assert.equal(weak.status, 400);
+
+    const created = await ctx.request('POST', '/api/setup', { body: OWNER });
+    assert.equal(created.status, 201);
+    assert.ok(created.body.token);
+    assert.equal(created.body.user.role, 'owner');
+
+    const again = await ctx.request('POST', '/api/setup', { body: { username: 'intruder', password: 'intruder-password' } });
+    assert.equal(again.status, 409);
+    assert.equal((await ctx.request('GET', '/api/setup')).body.needs_setup, false);
+});
+
+test('login returns a token for valid credentials only', async () => {
+    const ok = await ctx.request('POST', '/api/login', { body: OWNER });
+    assert.equal(ok.status, 200);
+    assert.ok(ok.body.token);
+    assert.equal(ok.body.user.username, OWNER.username);
+    assert.equal(ok.body.user.password, undefined);
+
+    const wrongPassword = await ctx.request('POST', '/api/login', { body: { username: OWNER.username, password: 'wrong-password' } });
+    assert.equal(wrongPassword.status, 401);
+    assert.equal(wrongPassword.body.error, 'Invalid credentials');
+
+    const unknownUser = await ctx.request('POST', '/api/login', { body: { username: 'nobody', password: 'whatever-password' } });
+    assert.equal(unknownUser.status, 401);
+
+    const missing = await ctx.request('POST', '/api/login', { body: { username: OWNER.username } });
+    assert.equal(missing.status, 400);
+});
+
+test('protected routes need a valid token', async () => {
+    assert.equal((await ctx.request('GET', '/api/account')).status, 401);
+    assert.equal((await ctx.request('GET', '/api/account', { token: 'not-a-jwt' })).status, 403);
+
+    const account = await ctx.request('GET', '/api/account', { token: await ctx.login() });
+    assert.equal(account.status, 200);
+    assert.equal(account.body.user.username, OWNER.username);
+    assert.equal(account.body.user.role, 'owner');
+});
+
+test('roles limit what a user can do', async () => {
+    const viewer = await ctx.loginAs('viewer');
+    assert.equal((await ctx.request('GET', '/api/pins', { token: viewer })).status, 200);
+
+    const pin = await ctx.request('POST', '/api/toggle-pin', { token: viewer, body: { id: 1, action: 'pin' } });
+    assert.equal(pin.status, 403);
+    assert.equal(pin.body.error, 'Requires moderator role');
+
+    const moderator = await ctx.loginAs('moderator');
+    const users = await ctx.request('GET', '/api/users', { token: moderator });
+    assert.equal(users.status, 403);
+});
+
+test('disabled users can no longer sign in or use their token', async () => {
+    const owner = await ctx.login();
+    const user = { username: 'leaver', password: 'leaver-password' };
+    assert.equal((await ctx.request('POST', '/api/users', { token: owner, body: { ...user, role: 'moderator' } })).status, 201);
+    const token = await ctx.login(user);
+
+    const disabled = await ctx.request('PATCH', `/api/users/${user.username}`, { token: owner, body: { disabled: true } });
+    assert.equal(disabled.status, 200);
+
+    assert.equal((await ctx.request('POST', '/api/login', { body: user })).status, 401);
+    assert.equal((await ctx.request('GET', '/api/account', { token })).status, 403);
+});
+
+test('user and spam settings changes are validated', async () => {
+    const owner = await ctx.login();
+    const invalid = await ctx.request('POST', '/api/users', { token: owner, body: { username: 'x', password: 'short', role: 'admin' } });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(Object.keys(invalid.body.fields).sort(), ['password', 'role', 'username']);
+
+    const spaced = { username: 'Spaced', password: ' spaced-password ' };
+    assert.equal((await ctx.request('POST', '/api/users', { token: owner, body: { ...spaced, role: 'viewer' } })).status, 201);
+    assert.equal((await ctx.request('POST', '/api/login', { body: { username: 'spaced', password: spaced.password } })).status, 200);
+
+    const update = await ctx.request('PATCH', '/api/users/spaced', { token: owner, body: { disabled: 'yes' } });
+    assert.equal(update.status, 400);
+    assert.equal(update.body.fields.disabled, 'disabled must be true or false');
+
+    const spam = await ctx.request('PUT', '/api/spam/settings', { token: owner, body: { blocklist: 'casino', action: 'delete' } });
+    assert.equal(spam.status, 400);
+    assert.deepEqual(Object.keys(spam.body.fields).sort(), ['action', 'blocklist']);
+    const saved = await ctx.request('PUT', '/api/spam/settings', { token: owner, body: { blocklist: [' Casino ', '', 'casino'] } });
+    assert.deepEqual(saved.body.blocklist, ['casino']);
+});
+
+test('shops cannot be registered without a dedicated encryption key', async () => {
+    const owner = await ctx.login();
+    const response = await ctx.request('POST', '/api/shops', {
+        token: owner,
+        body: { id: 'second-shop', shop_domain: 'second.myshopify.com', api_token: 'second-token' }
+    });
+    assert.equal(response.status, 503);
+    assert.match(response.body.error, /SHOP_ENCRYPTION_KEY/);
+});
@@ -0,0 +1,114 @@
+// Boots the exported app against the Judge.me mock and the Cloudinary stub with an in-memory
+// data store. The app reads its configuration when it is first required, so each test file
+// (its own process under `node --test`) calls startTestServer() once, before anything else.
+
+const path = require('path');
+const { createJudgeMeMock } = require('./mocks/judgeme');
+const { createCloudinaryStub } = require('./mocks/cloudinary');
+
+const API_TOKEN = 'test-token';
+const SHOP_DOMAIN = 'test-shop.myshopify.com';
+const OWNER = { username: 'owner', password: 'owner-password' };
+
+async function startTestServer({ reviews = [], products = [], env = {} } = {}) {
+    const judgeMe = await createJudgeMeMock({ apiToken: API_TOKEN, shopDomain: SHOP_DOMAIN, reviews, products }).start();
+    const cloudinary = await createCloudinaryStub().start();
+
+    Object.assign(process.env, {
+        NODE_ENV: 'test',
+        DATA_STORE: 'memory',
+        JWT_SECRET: 'test-jwt-secret',
+        SETUP_TOKEN: '',
+        JUDGE_ME_API_URL: judgeMe.url,
+        JUDGE_ME_API_TOKEN: API_TOKEN,
+        SHOP_DOMAIN,
+        JUDGE_ME_MAX_RETRIES: '2',
+        STORAGE_BACKEND: 'cloudinary',
+        CLOUDINARY_URL: `cloudinary://test-key:test-secret@${cloudinary.cloudName}?upload_prefix=${cloudinary.url}`,
+        CLOUDINARY_CLOUD_NAME: cloudinary.cloudName,
+        CLOUDINARY_API_KEY: 'test-key',
+        CLOUDINARY_API_SECRET: 'test-secret',
+        SUBMIT_RATE_LIMIT_IP: '1000',
+        SUBMIT_RATE_LIMIT_EMAIL: '1000',
+        REVIEW_SYNC_INTERVAL_SECONDS: '0',
+        ...env
+    });
+
+    // The app logs every request and sync step; keep test output readable
+    if (!process.env.TEST_VERBOSE) {
+        console.log = () => { };
+        console.warn = () => { };
+        console.error = () => { };
+    }
+
+    const app = require(path.join(__dirname, '..', 'api', 'index.js'));
+    const server = await new Promise(resolve => {
+        const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // JSON request helper: resolves to { status, headers, body } (body parsed when it is JSON)
+    const request = async (method, url, { body, token, headers = {} } = {}) => {
+        const isForm = body instanceof FormData;
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers: {
+                ...(body !== undefined && !isForm && { 'Content-Type': 'application/json' }),
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...headers
+            },
+            body: body === undefined || isForm ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // Not JSON (SVG, HTML, CSV)
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    };
+
+    // Creates the owner on first use, then logs in as `username`
+    const login = async ({ username, password } = OWNER) => {
+        const setup = await request('GET', '/api/setup');
+        if (setup.body.needs_setup) {
+            await request('POST', '/api/setup', { body: OWNER });
+        }
+        const response = await request('POST', '/api/login', { body: { username, password } });
+        if (response.status !== 200) {
+            throw new Error(`Login as ${username} failed: ${response.status} ${JSON.stringify(response.body)}`);
+        }
+        return response.body.token;
+    };
+
+    // Creates a user with the given role (as the owner) and returns its token
+    const loginAs = async (role) => {
+        const ownerToken = await login();
+        const user = { username: `${role}-${Date.now()}`, password: `${role}-password` };
+        const created = await request('POST', '/api/users', { token: ownerToken, body: { ...user, role } });
+        if (created.status !== 201) {
+            throw new Error(`Creating ${role} failed: ${created.status} ${JSON.stringify(created.body)}`);
+        }
+        return login(user);
+    };
+
+    // Re-reads every review from the mock, for tests that change its data
+    const resync = async () => {
+        const response = await request('POST', '/api/sync', { token: await login(), body: { full: true } });
+        if (response.status !== 200) {
+            throw new Error(`Sync failed: ${response.status} ${JSON.stringify(response.body)}`);
+        }
+        return response.body.sync;
+    };
+
+    const close = async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await Promise.all([judgeMe.stop(), cloudinary.stop()]);
+    };
+
+    return { app, baseUrl, judgeMe, cloudinary, request, login, loginAs, resync, close };
+}
+
+module.exports = { startTestServer, API_TOKEN, SHOP_DOMAIN, OWNER };
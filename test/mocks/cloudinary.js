@@ -0,0 +1,121 @@
+// Offline stand-in for Cloudinary's upload API (upload and destroy) and the Admin API's resource
+// lookup. The app's Cloudinary SDK is
+// pointed at it with CLOUDINARY_URL=cloudinary://key:secret@<cloud>?upload_prefix=<stub url>,
+// which must be set before the SDK is loaded. Uploaded files are kept in memory (`uploads`,
+// with the decoded bytes) so tests can inspect what was stored. Responses carry Cloudinary's
+// response signature (SHA-1 of `public_id=<id>&version=<n>` plus the API secret).
+
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const sharp = require('sharp');
+
+function createCloudinaryStub({ cloudName = 'test-cloud', apiSecret = 'test-secret' } = {}) {
+    const app = express();
+    const stub = {
+        cloudName,
+        uploads: new Map(), // public_id -> { public_id, resource_type, folder, format, buffer, ... }
+        destroyed: [],
+        failures: 0,
+        url: null,
+        server: null
+    };
+
+    // The next `times` uploads answer with a 500
+    stub.failNext = (times = 1) => {
+        stub.failures += times;
+    };
+
+    // The data URI is sent as a form field, so fields must be allowed to be as large as files
+    const form = multer({ limits: { fieldSize: 100 * 1024 * 1024, fileSize: 100 * 1024 * 1024 } }).any();
+
+    const toBuffer = (req) => {
+        const file = req.files?.find(f => f.fieldname === 'file');
+        if (file) {
+            return file.buffer;
+        }
+        const match = /^data:[^;]+;base64,(.*)$/s.exec(req.body.file || '');
+        return match ? Buffer.from(match[1], 'base64') : null;
+    };
+
+    app.post('/v1_1/:cloud/:resourceType/upload', form, async (req, res) => {
+        if (req.params.cloud !== stub.cloudName || !req.body.api_key || !req.body.signature) {
+            return res.status(401).json({ error: { message: 'Invalid cloud name or credentials' } });
+        }
+        if (stub.failures > 0) {
+            stub.failures--;
+            return res.status(500).json({ error: { message: 'Upload failed' } });
+        }
+
+        const buffer = toBuffer(req);
+        if (!buffer) {
+            return res.status(400).json({ error: { message: 'Missing file' } });
+        }
+
+        const resourceType = req.params.resourceType === 'video' ? 'video' : 'image';
+        const publicId = [req.body.folder, req.body.public_id || `upload_${stub.uploads.size + 1}`].filter(Boolean).join('/');
+        const existing = stub.uploads.get(publicId);
+        if (existing && req.body.overwrite === 'false') {
+            return res.json({ ...existing.response, existing: true });
+        }
+
+        const format = req.body.format || (resourceType === 'video' ? 'mp4' : 'jpg');
+        const metadata = resourceType === 'image' ? await sharp(buffer).metadata().catch(() => ({})) : {};
+        const response = {
+            public_id: publicId,
+            version: 1,
+            resource_type: resourceType,
+            type: 'upload',
+            format,
+            bytes: buffer.length,
+            width: metadata.width,
+            height: metadata.height,
+            signature: crypto.createHash('sha1').update(`public_id=${publicId}&version=1${apiSecret}`).digest('hex'),
+            secure_url: `https://res.cloudinary.com/${stub.cloudName}/${resourceType}/upload/v1/${publicId}.${format}`,
+            created_at: new Date().toISOString()
+        };
+        stub.uploads.set(publicId, {
+            ...response,
+            folder: req.body.folder || null,
+            allowed_formats: req.body.allowed_formats || null,
+            transformation: req.body.transformation || null,
+            buffer,
+            response
+        });
+        res.json(response);
+    });
+
+    // Admin API: GET /resources/<type>/upload/<public_id>
+    app.get('/v1_1/:cloud/resources/:resourceType/upload/*', (req, res) => {
+        const upload = stub.uploads.get(req.params[0]);
+        if (!upload || upload.resource_type !== req.params.resourceType) {
+            return res.status(404).json({ error: { message: `Resource not found - ${req.params[0]}` } });
+        }
+        res.json(upload.response);
+    });
+
+    app.post('/v1_1/:cloud/:resourceType/destroy', form, (req, res) => {
+        const found = stub.uploads.delete(req.body.public_id);
+        stub.destroyed.push(req.body.public_id);
+        res.json({ result: found ? 'ok' : 'not found' });
+    });
+
+    stub.start = (port = 0) => new Promise((resolve, reject) => {
+        stub.server = app.listen(port, '127.0.0.1', () => {
+            stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+            resolve(stub);
+        }).on('error', reject);
+    });
+
+    stub.stop = () => new Promise(resolve => {
+        if (!stub.server) {
+            return resolve();
+        }
+        stub.server.closeAllConnections();
+        stub.server.close(() => resolve());
+    });
+
+    return stub;
+}
+
+module.exports = { createCloudinaryStub };
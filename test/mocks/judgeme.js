@@ -0,0 +1,233 @@
+// Offline stand-in for the parts of the Judge.me API this app calls: review listing and count,
+// review submission, moderation, replies, products and webhook registration. Reviews are listed
+// newest first and paged like Judge.me (per_page up to 100). Failures are scripted per route with
+// failNext('GET /reviews', { status: 429 }) so retries, queueing and error paths can be tested.
+//
+// Used by the test suite, or run on its own for local development against fixture data:
+//   node test/mocks/judgeme.js            (then JUDGE_ME_API_URL=http://127.0.0.1:4010)
+
+const express = require('express');
+
+const MAX_PER_PAGE = 100;
+
+let nextId = 1000;
+
+// A Judge.me review as returned by GET /reviews; override any field
+function buildReview(overrides = {}) {
+    const id = overrides.id ?? nextId++;
+    const createdAt = overrides.created_at || new Date(Date.UTC(2026, 0, 1) + id * 3600 * 1000).toISOString();
+    return {
+        id,
+        title: `Review ${id}`,
+        body: `Body of review ${id}`,
+        rating: 5,
+        product_external_id: 9000,
+        product_title: 'Test Product',
+        product_handle: 'test-product',
+        reviewer: { id: id + 50000, name: 'Test Reviewer', email: `reviewer${id}@example.com` },
+        source: 'web',
+        curated: 'ok',
+        published: true,
+        hidden: false,
+        verified: 'buyer',
+        featured: false,
+        pictures: [],
+        created_at: createdAt,
+        updated_at: createdAt,
+        ...overrides
+    };
+}
+
+function buildProduct(overrides = {}) {
+    const id = overrides.id ?? nextId++;
+    return {
+        id,
+        external_id: 9000,
+        handle: 'test-product',
+        title: 'Test Product',
+        image_url: null,
+        ...overrides
+    };
+}
+
+function createJudgeMeMock({ apiToken = 'test-token', shopDomain = 'test-shop.myshopify.com', reviews = [], products = [] } = {}) {
+    const app = express();
+    const mock = {
+        apiToken,
+        shopDomain,
+        reviews: [...reviews],
+        products: [...products],
+        submitted: [],
+        replies: [],
+        webhooks: [],
+        requests: [],
+        failures: [],
+        url: null,
+        server: null
+    };
+
+    // Queue `times` failing responses for a route such as 'GET /reviews' or 'POST /reviews'
+    mock.failNext = (route, { status = 500, times = 1, retryAfter = null, body = null } = {}) => {
+        mock.failures.push({ route, status, remaining: times, retryAfter, body });
+    };
+
+    mock.requestsTo = (route) => mock.requests.filter(r => r.route === route);
+
+    mock.reset = ({ reviews: nextReviews = [], products: nextProducts = [] } = {}) => {
+        mock.reviews = [...nextReviews];
+        mock.products = [...nextProducts];
+        mock.submitted = [];
+        mock.replies = [];
+        mock.webhooks = [];
+        mock.requests = [];
+        mock.failures = [];
+    };
+
+    app.use(express.json({ limit: '10mb' }));
+
+    // Route key for failure matching, e.g. PUT /reviews/123 -> 'PUT /reviews/:id'
+    const routeOf = (req) => `${req.method} ${req.path.replace(/^\/reviews\/\d+$/, '/reviews/:id')}`;
+
+    app.use((req, res, next) => {
+        const route = routeOf(req);
+        mock.requests.push({ route, query: req.query, body: req.body, at: new Date().toISOString() });
+
+        const failure = mock.failures.find(f => f.route === route && f.remaining > 0);
+        if (failure) {
+            failure.remaining--;
+            if (failure.retryAfter !== null) {
+                res.set('Retry-After', String(failure.retryAfter));
+            }
+            const message = failure.status === 429 ? 'Too many requests' : 'Internal server error';
+            return res.status(failure.status).json(failure.body || { error: message });
+        }
+
+        const token = req.query.api_token || req.body?.api_token;
+        if (token !== mock.apiToken) {
+            return res.status(401).json({ error: 'Invalid api_token' });
+        }
+        // Review submissions carry shop_domain in the body
+        const domain = req.query.shop_domain || req.body?.shop_domain;
+        if (domain !== mock.shopDomain) {
+            return res.status(404).json({ error: 'Shop not found' });
+        }
+        next();
+    });
+
+    const paginate = (items, query) => {
+        const page = Math.max(1, parseInt(query.page, 10) || 1);
+        const perPage = Math.min(MAX_PER_PAGE, Math.max(1, parseInt(query.per_page, 10) || 10));
+        return { page, perPage, items: items.slice((page - 1) * perPage, page * perPage) };
+    };
+
+    const newestFirst = () => [...mock.reviews].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    app.get('/reviews/count', (req, res) => {
+        res.json({ count: mock.reviews.length });
+    });
+
+    app.get('/reviews', (req, res) => {
+        const { page, perPage, items } = paginate(newestFirst(), req.query);
+        res.json({ current_page: page, per_page: perPage, reviews: items });
+    });
+
+    app.post('/reviews', (req, res) => {
+        const review = req.body;
+        const missing = ['platform', 'name', 'email', 'rating', 'id'].filter(field => review[field] === undefined || review[field] === '');
+        if (missing.length > 0) {
+            return res.status(422).json({ error: `Missing ${missing.join(', ')}` });
+        }
+        mock.submitted.push(review);
+        res.json({ message: 'Review created' });
+    });
+
+    app.put('/reviews/:id', (req, res) => {
+        const review = mock.reviews.find(r => String(r.id) === req.params.id);
+        if (!review) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+        Object.assign(review, req.body.curated && { curated: req.body.curated }, { updated_at: new Date().toISOString() });
+        res.json({ review });
+    });
+
+    app.post('/replies', (req, res) => {
+        const review = mock.reviews.find(r => String(r.id) === String(req.body.review_id));
+        if (!review) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+        const reply = { review_id: review.id, content: req.body.reply?.content, send_reply_email: !!req.body.send_reply_email };
+        mock.replies.push(reply);
+        review.store_reply = { content: reply.content, created_at: new Date().toISOString() };
+        review.updated_at = review.store_reply.created_at;
+        res.json({ reply });
+    });
+
+    // GET /products/-1?handle= looks a product up by handle
+    app.get('/products/:id', (req, res) => {
+        const product = req.params.id === '-1'
+            ? mock.products.find(p => p.handle === req.query.handle)
+            : mock.products.find(p => String(p.id) === req.params.id);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        res.json({ product });
+    });
+
+    app.get('/products', (req, res) => {
+        const { page, perPage, items } = paginate(mock.products, req.query);
+        res.json({ current_page: page, per_page: perPage, products: items });
+    });
+
+    app.post('/webhooks', (req, res) => {
+        mock.webhooks.push(req.body.webhook);
+        res.json({ webhook: req.body.webhook });
+    });
+
+    mock.start = (port = 0) => new Promise((resolve, reject) => {
+        mock.server = app.listen(port, '127.0.0.1', () => {
+            mock.url = `http://127.0.0.1:${mock.server.address().port}`;
+            resolve(mock);
+        }).on('error', reject);
+    });
+
+    mock.stop = () => new Promise(resolve => {
+        if (!mock.server) {
+            return resolve();
+        }
+        mock.server.closeAllConnections();
+        mock.server.close(() => resolve());
+    });
+
+    return mock;
+}
+
+module.exports = { createJudgeMeMock, buildReview, buildProduct };
+
+// Standalone: a few products and enough reviews to span several pages
+if (require.main === module) {
+    const handles = ['classic-tee', 'canvas-tote', 'wool-beanie'];
+    const products = handles.map((handle, i) => buildProduct({ id: i + 1, external_id: 7001 + i, handle, title: handle.replace('-', ' ') }));
+    const reviews = Array.from({ length: 240 }, (_, i) => {
+        const product = products[i % products.length];
+        return buildReview({
+            id: i + 1,
+            rating: 5 - (i % 5 === 4 ? 3 : i % 3),
+            product_handle: product.handle,
+            product_external_id: product.external_id,
+            product_title: product.title,
+            curated: i % 17 === 0 ? 'not-yet' : 'ok',
+            published: i % 17 !== 0,
+            verified: i % 2 === 0 ? 'buyer' : 'nothing'
+        });
+    });
+    const mock = createJudgeMeMock({
+        apiToken: process.env.JUDGE_ME_API_TOKEN || 'test-token',
+        shopDomain: process.env.SHOP_DOMAIN || 'test-shop.myshopify.com',
+        reviews,
+        products
+    });
+    mock.start(Number(process.env.JUDGE_ME_MOCK_PORT) || 4010).then(() => {
+        console.log(`🧪 Judge.me mock on ${mock.url} (${mock.reviews.length} reviews, ${mock.products.length} products)`);
+        console.log(`   JUDGE_ME_API_URL=${mock.url} JUDGE_ME_API_TOKEN=${mock.apiToken} SHOP_DOMAIN=${mock.shopDomain}`);
+    });
+}
@@ -0,0 +1,191 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startTestServer } = require('./helpers');
+const { buildReview } = require('./mocks/judgeme');
+
+// Ten reviews for each of two products; higher IDs are newer
+const reviews = ['aurora-lamp', 'nova-chair'].flatMap((handle, p) => Array.from({ length: 10 }, (_, i) => buildReview({
+    id: (p + 1) * 100 + i + 1,
+    product_handle: handle,
+    product_external_id: 7001 + p
+})));
+
+let ctx;
+let moderator;
+
+const pageIds = async (handle) => {
+    const { body } = await ctx.request('GET', `/api/product-reviews?handle=${handle}`);
+    return body.reviews.map(r => r.id);
+};
+
+before(async () => {
+    ctx = await startTestServer({ reviews, env: { WEBHOOK_ALLOW_PRIVATE_URLS: 'true' } });
+    moderator = await ctx.loginAs('moderator');
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+test('pinning a review for a product moves it to the top of that product only', async () => {
+    const pin = await ctx.request('POST', '/api/toggle-pin', { token: moderator, body: { id: 103, action: 'pin', handle: 'aurora-lamp' } });
+    assert.equal(pin.status, 200);
+    assert.deepEqual(pin.body, { status: 'success', scope: 'product', handle: 'aurora-lamp', pinned_ids: [103] });
+
+    const { body } = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp');
+    assert.equal(body.reviews[0].id, 103);
+    assert.equal(body.reviews[0].is_pinned, true);
+    assert.equal(body.reviews[0].pin_scope, 'product');
+    assert.equal(body.reviews[0].pin_position, 1);
+    assert.equal(body.reviews[0].is_product_pinned, true);
+    assert.equal(body.reviews[1].id, 110, 'the rest stay newest first');
+
+    assert.equal((await pageIds('nova-chair'))[0], 210);
+});
+
+test('product pins come before featured pins', async () => {
+    const feature = await ctx.request('POST', '/api/toggle-pin', { token: moderator, body: { id: 105, action: 'pin' } });
+    assert.equal(feature.body.scope, 'featured');
+
+    const { body } = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp');
+    assert.deepEqual(body.reviews.slice(0, 2).map(r => [r.id, r.pin_scope, r.pin_position]), [[103, 'product', 1], [105, 'featured', 2]]);
+    assert.equal(body.reviews[1].is_featured, true);
+
+    // The store-wide listing only uses the featured list
+    const all = await ctx.request('GET', '/api/product-reviews?handle=all');
+    assert.equal(all.body.reviews[0].id, 105);
+    assert.equal(all.body.reviews.find(r => r.id === 103).is_pinned, false);
+
+    const pins = await ctx.request('GET', '/api/pins', { token: moderator });
+    assert.deepEqual(pins.body.featured, [105]);
+    assert.deepEqual(pins.body.products['aurora-lamp'], [103]);
+});
+
+test('bulk pins keep their order and can be reordered', async () => {
+    const bulk = await ctx.request('POST', '/api/pins/bulk', { token: moderator, body: { ids: [201, 202, 203], action: 'pin', handle: 'nova-chair' } });
+    assert.equal(bulk.status, 200);
+    assert.deepEqual(bulk.body.pinned_ids, [201, 202, 203]);
+    assert.deepEqual((await pageIds('nova-chair')).slice(0, 3), [201, 202, 203]);
+
+    const reorder = await ctx.request('PUT', '/api/pins/order', { token: moderator, body: { handle: 'nova-chair', ids: [203, 201, 202] } });
+    assert.equal(reorder.status, 200);
+    assert.deepEqual((await pageIds('nova-chair')).slice(0, 3), [203, 201, 202]);
+
+    const stale = await ctx.request('PUT', '/api/pins/order', { token: moderator, body: { handle: 'nova-chair', ids: [201, 202] } });
+    assert.equal(stale.status, 409);
+    assert.deepEqual(stale.body.pinned_ids, [203, 201, 202]);
+});
+
+test('unpinning removes the review from the list', async () => {
+    const unpin = await ctx.request('POST', '/api/toggle-pin', { token: moderator, body: { id: 201, action: 'unpin', handle: 'nova-chair' } });
+    assert.deepEqual(unpin.body.pinned_ids, [203, 202]);
+
+    const bulk = await ctx.request('POST', '/api/pins/bulk', { token: moderator, body: { ids: [203, 202], action: 'unpin', handle: 'nova-chair' } });
+    assert.deepEqual(bulk.body.pinned_ids, []);
+    assert.equal((await pageIds('nova-chair'))[0], 210);
+});
+
+test('filters can select pinned or unpinned reviews', async () => {
+    const pinned = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp&pinned=true');
+    assert.deepEqual(pinned.body.reviews.map(r => r.id), [103, 105]);
+
+    // Only exports read pinned=false as "unpinned only"; product pages keep ignoring it
+    const unpinned = await ctx.request('GET', '/api/reviews/export?handle=aurora-lamp&pinned=false&format=json', { token: moderator });
+    assert.equal(unpinned.body.count, 8);
+    const unfiltered = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp&pinned=false');
+    assert.equal(unfiltered.body.stats.count, 10);
+});
+
+test('invalid pin requests are rejected', async () => {
+    const cases = [
+        ['POST', '/api/toggle-pin', { action: 'pin' }],
+        ['POST', '/api/toggle-pin', { id: 101, action: 'star' }],
+        ['POST', '/api/pins/bulk', { ids: [], action: 'pin' }],
+        ['POST', '/api/pins/bulk', { ids: ['abc'], action: 'pin' }],
+        ['PUT', '/api/pins/order', { ids: 'nope' }],
+        ['PUT', '/api/pins/order', { ids: [101], handle: '../etc' }]
+    ];
+    for (const [method, url, body] of cases) {
+        assert.equal((await ctx.request(method, url, { token: moderator, body })).status, 400, JSON.stringify(body));
+    }
+
+    const notANumber = await ctx.request('POST', '/api/toggle-pin', { token: moderator, body: { id: 'abc', action: 'pin' } });
+    assert.equal(notANumber.status, 400);
+    assert.equal(notANumber.body.fields.id, 'id must be a whole number');
+    assert.equal((await ctx.request('POST', '/api/toggle-pin', { body: { id: 101, action: 'pin' } })).status, 401);
+});
+
+test('concurrent pins are all kept', async () => {
+    const ids = [101, 102, 104, 106, 107];
+    await Promise.all(ids.map(id => ctx.request('POST', '/api/toggle-pin', { token: moderator, body: { id, action: 'pin' } })));
+    const pins = await ctx.request('GET', '/api/pins', { token: moderator });
+    assert.deepEqual([...pins.body.featured].sort(), [105, ...ids].sort());
+});
+
+test('a pin webhook is delivered before the pin request answers', async () => {
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ event: req.headers['x-webhook-event'], payload: JSON.parse(body) });
+            res.end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const owner = await ctx.login();
+        const created = await ctx.request('POST', '/api/webhooks', {
+            token: owner,
+            body: { url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ['review.pinned'] }
+        });
+        assert.equal(created.status, 201);
+
+        await ctx.request('POST', '/api/toggle-pin', { token: moderator, body: { id: 208, action: 'pin', handle: 'nova-chair' } });
+        assert.equal(received.length, 1);
+        assert.equal(received[0].event, 'review.pinned');
+        assert.deepEqual(received[0].payload.data.review_ids, [208]);
+
+        const { body } = await ctx.request('GET', '/api/webhooks/deliveries', { token: owner });
+        assert.equal(body.deliveries[0].status, 'delivered');
+    } finally {
+        receiver.close();
+    }
+});
+
+test('the webhooks of a sync that finds many reviews share one wait', async () => {
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push(JSON.parse(body).data.review.id);
+            setTimeout(() => res.end(), 800);
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const owner = await ctx.login();
+        await ctx.request('POST', '/api/webhooks', {
+            token: owner,
+            body: { url: `http://127.0.0.1:${receiver.address().port}/created`, events: ['review.created'] }
+        });
+        const added = Array.from({ length: 8 }, (_, i) => buildReview({ id: 301 + i, product_handle: 'aurora-lamp', product_external_id: 7001 }));
+        ctx.judgeMe.reviews.push(...added);
+
+        const startedAt = Date.now();
+        await ctx.resync();
+        assert.ok(Date.now() - startedAt < 4500, `sync took ${Date.now() - startedAt}ms`);
+        assert.ok(received.length > 0 && received.length < added.length);
+
+        const { body } = await ctx.request('GET', '/api/webhooks/deliveries?status=queued', { token: owner });
+        const queued = body.deliveries.filter(d => d.event === 'review.created');
+        assert.equal(queued.length + received.length, added.length);
+    } finally {
+        receiver.closeAllConnections();
+        receiver.close();
+    }
+});
@@ -0,0 +1,209 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { buildReview } = require('./mocks/judgeme');
+
+// 150 lamp reviews (30 of each rating, every other one verified, every tenth with a photo, one
+// per day from 1 March) and 80 chair reviews, two of them pending, one hidden and one with a
+// store reply: 230 reviews, three Judge.me pages
+const DAY_MS = 24 * 3600 * 1000;
+const lampReviews = Array.from({ length: 150 }, (_, i) => buildReview({
+    id: i + 1,
+    rating: (i % 5) + 1,
+    product_handle: 'aurora-lamp',
+    product_external_id: 7001,
+    verified: i % 2 === 0 ? 'buyer' : 'nothing',
+    pictures: i % 10 === 0 ? [{ urls: { original: `https://cdn.example.com/lamp-${i + 1}.jpg` } }] : [],
+    created_at: new Date(Date.UTC(2026, 2, 1) + i * DAY_MS).toISOString()
+}));
+const chairReviews = Array.from({ length: 80 }, (_, i) => buildReview({
+    id: 1000 + i,
+    rating: 5,
+    product_handle: 'nova-chair',
+    product_external_id: 7002,
+    ...(i < 2 && { curated: 'not-yet', published: false }),
+    ...(i === 2 && { hidden: true }),
+    ...(i === 5 && { store_reply: { content: 'Thanks for the kind words!', created_at: '2026-01-10T00:00:00.000Z' } })
+}));
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer({ reviews: [...lampReviews, ...chairReviews] });
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+test('the first request syncs every Judge.me page', async () => {
+    const response = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.stats.count, 150);
+    assert.equal(response.body.stats.debug.total_shop_reviews, 230);
+    assert.equal(response.body.reviews.length, 150);
+
+    const pages = ctx.judgeMe.requestsTo('GET /reviews').map(r => Number(r.query.page)).sort();
+    assert.deepEqual(pages, [1, 2, 3]);
+    assert.equal(ctx.judgeMe.requestsTo('GET /reviews/count').length, 1);
+});
+
+test('stats cover every matching review', async () => {
+    const { body } = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp&per_page=5');
+    assert.equal(body.stats.average, '3.0');
+    assert.deepEqual(body.stats.distribution, { 1: 30, 2: 30, 3: 30, 4: 30, 5: 30 });
+    assert.equal(body.reviews.length, 5);
+
+    const chair = await ctx.request('GET', '/api/product-reviews?handle=NOVA-CHAIR');
+    assert.equal(chair.body.stats.count, 77, 'pending and hidden reviews are left out');
+    assert.equal(chair.body.stats.average, '5.0');
+});
+
+test('filters narrow the reviews and the stats', async () => {
+    const fiveStar = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp&rating=5');
+    assert.equal(fiveStar.body.stats.count, 30);
+    assert.ok(fiveStar.body.reviews.every(r => r.rating === 5));
+    assert.deepEqual(fiveStar.body.stats.distribution, { 1: 0, 2: 0, 3: 0, 4: 0, 5: 30 });
+
+    const low = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp&rating=1,2');
+    assert.equal(low.body.stats.count, 60);
+    assert.equal(low.body.stats.average, '1.5');
+
+    const verified = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp&verified=true');
+    assert.equal(verified.body.stats.count, 75);
+    assert.ok(verified.body.reviews.every(r => r.is_verified));
+
+    const withMedia = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp&has_media=true');
+    assert.equal(withMedia.body.stats.count, 15);
+    assert.ok(withMedia.body.reviews.every(r => r.media.length === 1 && r.media[0].type === 'image'));
+
+    // 1-10 March, both ends inclusive
+    const march = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp&from=2026-03-01&to=2026-03-10');
+    assert.equal(march.body.stats.count, 10);
+
+    const all = await ctx.request('GET', '/api/product-reviews?handle=all');
+    assert.equal(all.body.stats.count, 227);
+    assert.deepEqual(all.body.handles, ['aurora-lamp', 'nova-chair']);
+});
+
+test('invalid filters are rejected', async () => {
+    for (const query of ['rating=6', 'sort=random', 'status=deleted', 'from=yesterday', 'per_page=500', 'page=0', 'format=xml']) {
+        const response = await ctx.request('GET', `/api/product-reviews?handle=aurora-lamp&${query}`);
+        assert.equal(response.status, 400, query);
+        assert.ok(response.body.error, query);
+    }
+    assert.equal((await ctx.request('GET', '/api/product-reviews')).status, 400);
+});
+
+test('pagination and sorting', async () => {
+    const page = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp&sort=oldest&page=2&per_page=20');
+    assert.deepEqual(page.body.pagination, { page: 2, per_page: 20, total: 150, total_pages: 8, has_more: true });
+    assert.deepEqual(page.body.reviews.map(r => r.id), lampReviews.slice(20, 40).map(r => r.id));
+
+    const last = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp&page=8&per_page=20');
+    assert.equal(last.body.reviews.length, 10);
+    assert.equal(last.body.pagination.has_more, false);
+
+    const highest = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp&sort=highest&per_page=40');
+    assert.ok(highest.body.reviews.slice(0, 30).every(r => r.rating === 5));
+    assert.equal(highest.body.reviews[30].rating, 4);
+
+    const media = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp&sort=media&per_page=15');
+    assert.ok(media.body.reviews.every(r => r.media.length > 0));
+});
+
+test('unpublished reviews are only listed for signed-in users', async () => {
+    assert.equal((await ctx.request('GET', '/api/product-reviews?handle=nova-chair&status=pending')).status, 401);
+
+    const token = await ctx.loginAs('viewer');
+    const pending = await ctx.request('GET', '/api/product-reviews?handle=nova-chair&status=pending', { token });
+    assert.equal(pending.status, 200);
+    assert.deepEqual(pending.body.reviews.map(r => r.id).sort(), [1000, 1001]);
+
+    const hidden = await ctx.request('GET', '/api/product-reviews?handle=nova-chair&status=hidden', { token });
+    assert.deepEqual(hidden.body.reviews.map(r => r.id), [1002]);
+
+    const everything = await ctx.request('GET', '/api/product-reviews?handle=nova-chair&status=all', { token });
+    assert.equal(everything.body.stats.count, 80);
+});
+
+test('moderating a review keeps the store reply Judge.me has for it', async () => {
+    const token = await ctx.loginAs('moderator');
+    assert.equal((await ctx.request('POST', '/api/moderate', { token, body: { id: 1005, action: 'publish' } })).status, 200);
+
+    const { body } = await ctx.request('GET', '/api/product-reviews?handle=nova-chair&per_page=100');
+    assert.equal(body.reviews.find(r => r.id === 1005).reply.content, 'Thanks for the kind words!');
+});
+
+test('structured data rates every published review and refuses filters', async () => {
+    const response = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp&format=jsonld');
+    assert.equal(response.status, 200);
+    const jsonLd = response.body;
+    assert.deepEqual([jsonLd.aggregateRating.ratingValue, jsonLd.aggregateRating.reviewCount], [3, 150]);
+    assert.equal(jsonLd.review.length, 20);
+
+    const filtered = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp&format=jsonld&rating=5');
+    assert.equal(filtered.status, 400);
+    assert.match(filtered.body.error, /remove rating/);
+});
+
+test('avatar links do not take their host from the request', async () => {
+    const { body } = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp&per_page=3', {
+        headers: { 'X-Forwarded-Proto': 'javascript', 'X-Forwarded-Host': 'attacker.example' }
+    });
+    assert.ok(body.reviews.every(review => /^\/api\/avatar\/\d+\.svg\?v=\w+$/.test(review.profile_pic)));
+});
+
+test('a sync retries rate-limited pages and picks up new reviews', async () => {
+    ctx.judgeMe.reviews.push(buildReview({ id: 5000, rating: 1, product_handle: 'aurora-lamp', product_external_id: 7001, created_at: '2026-09-01T00:00:00.000Z' }));
+    ctx.judgeMe.failNext('GET /reviews', { status: 429, retryAfter: 1 });
+    const before = ctx.judgeMe.requestsTo('GET /reviews').length;
+
+    const sync = await ctx.resync();
+    assert.equal(sync.review_count, 231);
+    assert.equal(sync.last_error, null);
+    assert.equal(ctx.judgeMe.requestsTo('GET /reviews').length - before, 4, 'three pages plus one retry');
+
+    const { body } = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp&sort=newest&per_page=1');
+    assert.equal(body.stats.count, 151);
+    assert.equal(body.reviews[0].id, 5000);
+});
+
+test('pages are read one by one when the count is unavailable', async () => {
+    ctx.judgeMe.failNext('GET /reviews/count', { status: 404, body: { error: 'Not found' } });
+    const sync = await ctx.resync();
+    assert.equal(sync.review_count, 231);
+    assert.equal(sync.pages_fetched, 3);
+});
+
+test('a failing sync reports the error and keeps serving the cache', async () => {
+    const token = await ctx.login();
+    ctx.judgeMe.failNext('GET /reviews', { status: 500, times: 100 });
+
+    const failed = await ctx.request('POST', '/api/sync', { token, body: { full: true } });
+    assert.equal(failed.status, 502);
+    assert.equal(failed.body.error, 'Review sync failed');
+    assert.ok(failed.body.sync.last_error);
+    ctx.judgeMe.failures = [];
+
+    const cached = await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp');
+    assert.equal(cached.status, 200);
+    assert.equal(cached.body.stats.count, 151);
+
+    const recovered = await ctx.resync();
+    assert.equal(recovered.last_error, null);
+});
+
+test('an invalid Judge.me token fails the sync without retries', async () => {
+    const token = await ctx.login();
+    const realToken = ctx.judgeMe.apiToken;
+    ctx.judgeMe.apiToken = 'rotated-token';
+    const before = ctx.judgeMe.requestsTo('GET /reviews/count').length;
+    try {
+        const failed = await ctx.request('POST', '/api/sync', { token, body: { full: true } });
+        assert.equal(failed.status, 502);
+        assert.equal(ctx.judgeMe.requestsTo('GET /reviews/count').length - before, 1, '401 is not retried');
+    } finally {
+        ctx.judgeMe.apiToken = realToken;
+    }
+});
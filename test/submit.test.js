@@ -0,0 +1,419 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { startTestServer, SHOP_DOMAIN } = require('./helpers');
+const { buildReview, buildProduct } = require('./mocks/judgeme');
+
+// Products are found in different places: the review cache (aurora-lamp), only the Judge.me
+// products API (glass-vase), an owner's catalog override (oak-shelf) or an environment variable
+// (linen-throw)
+const reviews = [buildReview({ id: 1, product_handle: 'aurora-lamp', product_external_id: 7001 })];
+const products = [buildProduct({ id: 2, handle: 'glass-vase', external_id: 7002, title: 'Glass Vase' })];
+
+let ctx;
+let submissionCount = 0;
+
+// Distinct bodies so the duplicate guard doesn't kick in
+const reviewFields = (overrides = {}) => ({
+    email: 'shopper@example.com',
+    name: 'Sam Shopper',
+    rating: 4,
+    title: 'Nice',
+    body: `Works well, submission ${++submissionCount}`,
+    handle: 'aurora-lamp',
+    ...overrides
+});
+
+// Each form token sends one review, so submissions without their own fetch a fresh one
+const submit = async (fields, headers = {}) => {
+    const token = fields.form_token ? {} : { 'X-Form-Token': (await ctx.request('GET', '/api/form-token')).body.form_token };
+    return ctx.request('POST', '/api/submit-review', { body: fields, headers: { ...token, ...headers } });
+};
+
+before(async () => {
+    ctx = await startTestServer({
+        reviews,
+        products,
+        env: { PRODUCT_ID_LINEN_THROW: '7004', FORM_TOKEN_MIN_AGE_SECONDS: '0', SUBMIT_RATE_LIMIT_IP: '100', MAX_UPLOAD_SIZE_MB: '8', IMPORT_BATCH_ROWS: '2', QUEUE_RETRY_BASE_SECONDS: '0.001', CRON_SECRET: 'test-cron' }
+    });
+    // Fill the review cache before submitting
+    await ctx.request('GET', '/api/product-reviews?handle=aurora-lamp');
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+test('a valid review is posted to Judge.me with the product ID from the review cache', async () => {
+    const response = await submit(reviewFields({ rating: 5 }));
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'success');
+    assert.equal(response.body.message, 'Review created');
+
+    const posted = ctx.judgeMe.submitted.at(-1);
+    assert.equal(posted.id, 7001);
+    assert.equal(posted.shop_domain, SHOP_DOMAIN);
+    assert.equal(posted.platform, 'shopify');
+    assert.equal(posted.rating, 5);
+    assert.equal(posted.name, 'Sam Shopper');
+    assert.deepEqual(posted.picture_urls, {});
+
+    const catalog = await ctx.request('GET', '/api/products', { token: await ctx.login() });
+    assert.equal(catalog.body.products.find(p => p.handle === 'aurora-lamp').source, 'reviews');
+});
+
+test('invalid fields are rejected before anything is sent', async () => {
+    const sent = ctx.judgeMe.submitted.length;
+    const response = await submit({ email: 'not-an-email', name: '', rating: 9, handle: 'bad handle!' });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Validation failed');
+    assert.deepEqual(Object.keys(response.body.fields).sort(), ['email', 'handle', 'name', 'rating']);
+    assert.equal(ctx.judgeMe.submitted.length, sent);
+});
+
+test('the product ID comes from the Judge.me products API when no review has it', async () => {
+    const response = await submit(reviewFields({ handle: 'glass-vase' }));
+    assert.equal(response.status, 200);
+    assert.equal(ctx.judgeMe.submitted.at(-1).id, 7002);
+    assert.equal(ctx.judgeMe.requestsTo('GET /products/-1').at(-1).query.handle, 'glass-vase');
+
+    // Stored in the catalog, so the next submission doesn't look it up again
+    const lookups = ctx.judgeMe.requestsTo('GET /products/-1').length;
+    await submit(reviewFields({ handle: 'glass-vase' }));
+    assert.equal(ctx.judgeMe.requestsTo('GET /products/-1').length, lookups);
+    const catalog = await ctx.request('GET', '/api/products', { token: await ctx.login() });
+    assert.equal(catalog.body.products.find(p => p.handle === 'glass-vase').external_id, 7002);
+});
+
+test('an owner override in the catalog wins', async () => {
+    const token = await ctx.login();
+    const override = await ctx.request('PUT', '/api/products/oak-shelf', { token, body: { external_id: 7003, title: 'Oak Shelf' } });
+    assert.equal(override.status, 200);
+
+    const response = await submit(reviewFields({ handle: 'oak-shelf' }));
+    assert.equal(response.status, 200);
+    assert.equal(ctx.judgeMe.submitted.at(-1).id, 7003);
+
+    // Also over the review cache
+    await ctx.request('PUT', '/api/products/aurora-lamp', { token, body: { external_id: 7100 } });
+    await submit(reviewFields());
+    assert.equal(ctx.judgeMe.submitted.at(-1).id, 7100);
+    await ctx.request('DELETE', '/api/products/aurora-lamp', { token });
+});
+
+test('a PRODUCT_ID_<HANDLE> environment variable is the last fallback', async () => {
+    const response = await submit(reviewFields({ handle: 'linen-throw' }));
+    assert.equal(response.status, 200);
+    assert.equal(ctx.judgeMe.submitted.at(-1).id, 7004);
+});
+
+test('an unknown product is rejected without posting', async () => {
+    const sent = ctx.judgeMe.submitted.length;
+    const response = await submit(reviewFields({ handle: 'mystery-item' }));
+    assert.equal(response.status, 422);
+    assert.match(response.body.fields.handle, /mystery-item/);
+    assert.equal(ctx.judgeMe.submitted.length, sent);
+});
+
+test('photos are processed, uploaded to Cloudinary and passed to Judge.me', async () => {
+    const photo = await sharp({ create: { width: 3000, height: 2000, channels: 3, background: '#3366cc' } })
+        .jpeg()
+        .withMetadata({ exif: { IFD0: { Make: 'TestPhone', Copyright: 'private' } } })
+        .toBuffer();
+
+    const form = new FormData();
+    for (const [key, value] of Object.entries(reviewFields())) {
+        form.append(key, String(value));
+    }
+    form.append('media', new Blob([photo], { type: 'image/jpeg' }), 'photo.jpg');
+
+    const response = await submit(form);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.uploaded_images.length, 1);
+
+    const [upload] = [...ctx.cloudinary.uploads.values()];
+    assert.equal(upload.folder, 'armor_reviews');
+    assert.equal(upload.resource_type, 'image');
+    const stored = await sharp(upload.buffer).metadata();
+    assert.equal(stored.format, 'jpeg');
+    assert.equal(Math.max(stored.width, stored.height), 2048);
+    assert.equal(stored.exif, undefined, 'EXIF is stripped');
+
+    const posted = ctx.judgeMe.submitted.at(-1);
+    assert.deepEqual(Object.values(posted.picture_urls), [upload.secure_url]);
+    assert.deepEqual(response.body.uploaded_images, [upload.secure_url]);
+});
+
+test('photos can be uploaded straight to Cloudinary with a signed request', async () => {
+    const { body: formToken } = await ctx.request('GET', '/api/form-token');
+    assert.equal(formToken.direct_uploads, true);
+    assert.equal(formToken.max_upload_bytes, 8 * 1024 * 1024);
+
+    const unsigned = await ctx.request('POST', '/api/media/upload-signature', { body: { kind: 'image' } });
+    assert.equal(unsigned.status, 403);
+
+    const signed = await ctx.request('POST', '/api/media/upload-signature', {
+        body: { kind: 'image' },
+        headers: { 'X-Form-Token': formToken.form_token }
+    });
+    assert.equal(signed.status, 200);
+    assert.equal(signed.body.fields.folder, 'armor_reviews');
+    assert.equal(signed.body.fields.format, 'jpg');
+    assert.ok(signed.body.fields.signature);
+
+    // What the browser does: post the file with the signed fields to Cloudinary
+    const photo = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#cc6633' } }).png().toBuffer();
+    const form = new FormData();
+    Object.entries(signed.body.fields).forEach(([name, value]) => form.append(name, String(value)));
+    form.append('file', new Blob([photo], { type: 'image/png' }), 'photo.png');
+    const uploaded = await (await fetch(signed.body.upload_url, { method: 'POST', body: form })).json();
+    assert.match(ctx.cloudinary.uploads.get(uploaded.public_id).transformation, /^c_limit,w_2048,h_2048/);
+
+    const { public_id, version, signature, resource_type, format } = uploaded;
+    const response = await submit(reviewFields({ form_token: formToken.form_token, pictures: [{ public_id, version, signature, resource_type, format }] }));
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.uploaded_images, [uploaded.secure_url]);
+    assert.deepEqual(Object.values(ctx.judgeMe.submitted.at(-1).picture_urls), [uploaded.secure_url]);
+
+    const forged = await submit(reviewFields({ pictures: [{ public_id: 'armor_reviews/someone-else', version: 1, signature: 'f'.repeat(40) }] }));
+    assert.equal(forged.status, 400);
+    assert.match(forged.body.fields.media, /not a valid upload/);
+});
+
+test('direct uploads are checked against what Cloudinary holds, not what the client says', async () => {
+    const { body: formToken } = await ctx.request('GET', '/api/form-token');
+    const signed = await ctx.request('POST', '/api/media/upload-signature', {
+        body: { kind: 'image' },
+        headers: { 'X-Form-Token': formToken.form_token }
+    });
+    // The stub doesn't apply the incoming transformation, so this stays wider than IMAGE_MAX_EDGE
+    const photo = await sharp({ create: { width: 3000, height: 200, channels: 3, background: '#3366cc' } }).png().toBuffer();
+    const form = new FormData();
+    Object.entries(signed.body.fields).forEach(([name, value]) => form.append(name, String(value)));
+    form.append('file', new Blob([photo], { type: 'image/png' }), 'wide.png');
+    const uploaded = await (await fetch(signed.body.upload_url, { method: 'POST', body: form })).json();
+
+    const { public_id, version, signature } = uploaded;
+    const response = await submit(reviewFields({
+        form_token: formToken.form_token,
+        pictures: [{ public_id, version, signature, resource_type: 'video', format: 'mp4' }]
+    }));
+    assert.equal(response.status, 400);
+    assert.match(response.body.fields.media, /too large \(3000×200\)/);
+    assert.ok(ctx.cloudinary.destroyed.includes(public_id));
+});
+
+test('multipart bodies over the upload budget are refused before they are read', async () => {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(reviewFields())) {
+        form.append(key, String(value));
+    }
+    form.append('media', new Blob([Buffer.alloc(9 * 1024 * 1024)], { type: 'image/jpeg' }), 'huge.jpg');
+
+    const sent = ctx.judgeMe.submitted.length;
+    const response = await submit(form);
+    assert.equal(response.status, 413);
+    assert.match(response.body.fields.media, /8 MB/);
+    assert.equal(ctx.judgeMe.submitted.length, sent);
+});
+
+test('a multipart submission with too many files is refused', async () => {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(reviewFields())) {
+        form.append(key, String(value));
+    }
+    for (let i = 0; i < 6; i++) {
+        form.append('media', new Blob([Buffer.alloc(16)], { type: 'image/jpeg' }), `photo-${i}.jpg`);
+    }
+
+    const response = await submit(form);
+    assert.equal(response.status, 400);
+    assert.match(response.body.fields.media, /at most 5 files/);
+});
+
+test('files that are not images are rejected', async () => {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(reviewFields())) {
+        form.append(key, String(value));
+    }
+    form.append('media', new Blob([Buffer.from('definitely not a jpeg')], { type: 'image/jpeg' }), 'fake.jpg');
+
+    const response = await submit(form);
+    assert.equal(response.status, 400);
+    assert.ok(response.body.fields.media);
+});
+
+test('links to private addresses are not fetched, even behind a hostname', async () => {
+    const { port } = new URL(ctx.cloudinary.url);
+    for (const link of [`http://127.0.0.1:${port}/photo.jpg`, `http://localhost:${port}/photo.jpg`]) {
+        const response = await submit(reviewFields({ pictures: [link] }));
+        assert.equal(response.status, 400);
+        assert.match(response.body.fields.media, /could not be downloaded/);
+    }
+});
+
+test('the same review is only accepted once', async () => {
+    const fields = reviewFields();
+    assert.equal((await submit(fields)).status, 200);
+    const again = await submit(fields);
+    assert.equal(again.status, 409);
+});
+
+test('a form token sends one review', async () => {
+    const { body: { form_token } } = await ctx.request('GET', '/api/form-token');
+    assert.equal((await submit(reviewFields({ form_token }))).status, 200);
+
+    const reused = await submit(reviewFields({ form_token }));
+    assert.equal(reused.status, 403);
+    assert.equal(reused.body.error, 'Form token was already used');
+});
+
+test('submissions need a form token unless REQUIRE_FORM_TOKEN=false', async () => {
+    const missing = await ctx.request('POST', '/api/submit-review', { body: reviewFields() });
+    assert.equal(missing.status, 403);
+    assert.equal(missing.body.error, 'Form token required');
+
+    process.env.REQUIRE_FORM_TOKEN = 'false';
+    try {
+        assert.equal((await ctx.request('POST', '/api/submit-review', { body: reviewFields() })).status, 200);
+    } finally {
+        delete process.env.REQUIRE_FORM_TOKEN;
+    }
+});
+
+test('only submissions that pass validation count towards the IP limit', async () => {
+    const headers = { 'X-Forwarded-For': '198.51.100.20' };
+    for (let i = 0; i < 100; i++) {
+        assert.equal((await submit(reviewFields({ rating: 9 }), headers)).status, 400);
+    }
+    assert.equal((await submit(reviewFields(), headers)).status, 200);
+});
+
+test('the client address is the one the nearest trusted proxy reports', async () => {
+    await submit(reviewFields({ website: 'https://spam.example' }), { 'X-Forwarded-For': '203.0.113.9, 198.51.100.7' });
+    const token = await ctx.loginAs('moderator');
+    const { body } = await ctx.request('GET', '/api/spam/log?limit=1', { token });
+    assert.equal(body.entries[0].ip, '198.51.100.7');
+});
+
+test('the honeypot field fakes success without posting', async () => {
+    const sent = ctx.judgeMe.submitted.length;
+    const response = await submit(reviewFields({ website: 'http://spam.example.com' }));
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'success');
+    assert.equal(ctx.judgeMe.submitted.length, sent);
+});
+
+test('a review Judge.me cannot take right now is queued and can be retried', async () => {
+    ctx.judgeMe.failNext('POST /reviews', { status: 503 });
+    const response = await submit(reviewFields());
+    assert.equal(response.status, 202);
+    assert.equal(response.body.status, 'queued');
+
+    const token = await ctx.loginAs('moderator');
+    const queued = await ctx.request('GET', '/api/submissions?status=queued', { token });
+    const submission = queued.body.submissions.find(s => s.id === response.body.submission_id);
+    assert.equal(submission.last_error.status, 503);
+    assert.equal(submission.attempts, 1);
+
+    const retry = await ctx.request('POST', `/api/submissions/${submission.id}/retry`, { token });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.result.status, 'submitted');
+    assert.equal(ctx.judgeMe.submitted.at(-1).body, submission.review.body);
+
+    const after = await ctx.request('GET', '/api/submissions', { token });
+    assert.equal(after.body.submissions.some(s => s.id === submission.id), false);
+});
+
+test('the queue cron sends queued reviews once their retry is due', async () => {
+    ctx.judgeMe.failNext('POST /reviews', { status: 503 });
+    const response = await submit(reviewFields());
+    assert.equal(response.body.status, 'queued');
+
+    assert.equal((await ctx.request('GET', '/api/cron/queue')).status, 401);
+    const run = await ctx.request('GET', '/api/cron/queue', { headers: { Authorization: 'Bearer test-cron' } });
+    assert.equal(run.status, 200);
+    const result = run.body.shops.default.queue.find(r => r.id === response.body.submission_id);
+    assert.equal(result.status, 'submitted');
+});
+
+test('uploads are deleted again when a submission can be neither sent nor queued', async () => {
+    const photo = await sharp({ create: { width: 400, height: 300, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+    const form = new FormData();
+    for (const [key, value] of Object.entries(reviewFields())) {
+        form.append(key, String(value));
+    }
+    form.append('media', new Blob([photo], { type: 'image/jpeg' }), 'photo.jpg');
+    ctx.judgeMe.failNext('POST /reviews', { status: 503 });
+    const destroyed = ctx.cloudinary.destroyed.length;
+
+    // On Vercel the in-memory store refuses to keep the queue
+    process.env.VERCEL = '1';
+    let response;
+    try {
+        response = await submit(form);
+    } finally {
+        delete process.env.VERCEL;
+    }
+    assert.equal(response.status, 502);
+    assert.equal(ctx.cloudinary.destroyed.length - destroyed, 1);
+});
+
+test('a review Judge.me rejects is kept as failed', async () => {
+    ctx.judgeMe.failNext('POST /reviews', { status: 422, body: { error: 'Product not found' } });
+    const response = await submit(reviewFields());
+    assert.equal(response.status, 202);
+
+    const token = await ctx.login();
+    const failed = await ctx.request('GET', '/api/submissions?status=failed', { token });
+    const submission = failed.body.submissions.find(s => s.id === response.body.submission_id);
+    assert.deepEqual(submission.last_error, { status: 422, message: 'Product not found' });
+    assert.equal(submission.next_attempt_at, null);
+});
+
+test('a photo shared by two queued reviews is only deleted with the last one', async () => {
+    const photo = await sharp({ create: { width: 400, height: 300, channels: 3, background: '#cc6633' } }).jpeg().toBuffer();
+    const queue = async () => {
+        const form = new FormData();
+        for (const [key, value] of Object.entries(reviewFields())) {
+            form.append(key, String(value));
+        }
+        form.append('media', new Blob([photo], { type: 'image/jpeg' }), 'photo.jpg');
+        ctx.judgeMe.failNext('POST /reviews', { status: 422 });
+        const response = await submit(form);
+        assert.equal(response.status, 202);
+        return response.body.submission_id;
+    };
+    const destroyed = ctx.cloudinary.destroyed.length;
+    const first = await queue();
+    const second = await queue();
+
+    const token = await ctx.loginAs('moderator');
+    const discardFirst = await ctx.request('DELETE', `/api/submissions/${first}`, { token });
+    assert.equal(discardFirst.body.assets_deleted, 0);
+    assert.equal(ctx.cloudinary.destroyed.length - destroyed, 0);
+
+    const discardSecond = await ctx.request('DELETE', `/api/submissions/${second}`, { token });
+    assert.equal(discardSecond.body.assets_deleted, 1);
+    assert.equal(ctx.cloudinary.destroyed.length - destroyed, 1);
+});
+
+test('an import is sent in batches and without an IP address', async () => {
+    const csv = ['email,name,rating,body,handle',
+        ...[1, 2, 3].map(n => `importer${n}@example.com,Imported ${n},5,Imported review number ${n},aurora-lamp`)].join('\n');
+    const token = await ctx.login();
+    const importFrom = (offset) => ctx.request('POST', `/api/reviews/import?dry_run=false&offset=${offset}`, { token, body: { csv } });
+
+    const first = await importFrom(0);
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.rows.map(r => [r.line, r.status]), [[2, 'submitted'], [3, 'submitted']]);
+    assert.equal(first.body.next_offset, 2);
+
+    const second = await importFrom(first.body.next_offset);
+    assert.deepEqual(second.body.rows.map(r => [r.line, r.status]), [[4, 'submitted']]);
+    assert.equal(second.body.next_offset, null);
+
+    const posted = ctx.judgeMe.submitted.at(-1);
+    assert.equal(posted.name, 'Imported 3');
+    assert.equal('ip_addr' in posted, false);
+});